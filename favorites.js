@@ -0,0 +1,104 @@
+// favorites.js - favorite add/remove transactions
+// The Firestore functions are passed in rather than imported, so the same transactions run against
+// the CDN SDK in the browser and the npm SDK pointed at the emulator in tests.
+//
+// Each add/remove is one transaction: the user's favorite, the sharedVideos counter and the
+// sharedVideos/{id}/favorites/{uid} record change together or not at all. favoriteCount counts the
+// records whose action is 'added', so the counter only moves when the record flips - the same
+// condition firestore.rules check - and repeating an add or remove never moves it twice.
+// maxAttempts is how many times a transaction that lost a race is retried (the SDK default is 5)
+export function createFavoritesStore({ db, doc, runTransaction, increment, maxAttempts = 5 }) {
+  return {
+    // video: { videoId, title, thumbnail, channel, description, duration }, already sanitized.
+    // Resolves to false when the video was already a favorite
+    add(uid, video) {
+      const userFavRef = doc(db, 'users', uid, 'favorites', video.videoId);
+      const videoRef = doc(db, 'sharedVideos', video.videoId);
+      const globalFavRef = doc(db, 'sharedVideos', video.videoId, 'favorites', uid);
+
+      return runTransaction(db, async (transaction) => {
+        const [userFavDoc, videoDoc, globalFavDoc] = await Promise.all([
+          transaction.get(userFavRef),
+          transaction.get(videoRef),
+          transaction.get(globalFavRef)
+        ]);
+        if (userFavDoc.exists()) return false;
+
+        const counted = globalFavDoc.exists() && globalFavDoc.data().action === 'added';
+        const now = new Date().toISOString();
+        transaction.set(userFavRef, {
+          videoId: video.videoId,
+          title: video.title,
+          thumbnail: video.thumbnail,
+          channel: video.channel,
+          addedAt: now
+        });
+
+        // A record still marked 'added' (say, the user's favorite was deleted elsewhere) is
+        // already in the count
+        if (!videoDoc.exists()) {
+          transaction.set(videoRef, {
+            videoId: video.videoId,
+            title: video.title,
+            thumbnail: video.thumbnail,
+            channel: video.channel,
+            description: video.description || '',
+            duration: video.duration || 0,
+            favoriteCount: counted ? 0 : 1,
+            firstFavoritedAt: now,
+            lastFavoritedAt: now,
+            cachedAt: now
+          });
+        } else if (!counted) {
+          transaction.update(videoRef, {
+            favoriteCount: increment(1),
+            lastFavoritedAt: now
+          });
+        }
+
+        // Only the uid - names come from publicProfiles
+        transaction.set(globalFavRef, {
+          userId: uid,
+          favoritedAt: now,
+          action: 'added'
+        });
+        return true;
+      }, { maxAttempts });
+    },
+
+    // Resolves to false when the video wasn't a favorite
+    remove(uid, videoId) {
+      const userFavRef = doc(db, 'users', uid, 'favorites', videoId);
+      const videoRef = doc(db, 'sharedVideos', videoId);
+      const globalFavRef = doc(db, 'sharedVideos', videoId, 'favorites', uid);
+
+      return runTransaction(db, async (transaction) => {
+        const [userFavDoc, videoDoc, globalFavDoc] = await Promise.all([
+          transaction.get(userFavRef),
+          transaction.get(videoRef),
+          transaction.get(globalFavRef)
+        ]);
+        if (!userFavDoc.exists()) return false;
+
+        const now = new Date().toISOString();
+        transaction.delete(userFavRef);
+
+        // Favorites from before global tracking have no 'added' record counted against them
+        const counted = globalFavDoc.exists() && globalFavDoc.data().action === 'added';
+        if (counted && videoDoc.exists() && (videoDoc.data().favoriteCount || 0) > 0) {
+          transaction.update(videoRef, {
+            favoriteCount: increment(-1),
+            lastFavoritedAt: now
+          });
+        }
+
+        transaction.set(globalFavRef, {
+          userId: uid,
+          removedAt: now,
+          action: 'removed'
+        });
+        return true;
+      }, { maxAttempts });
+    }
+  };
+}
@@ -24,7 +24,13 @@ import {
   updateDoc,
   arrayUnion,
   arrayRemove,
-  increment // ADD THIS IMPORT
+  increment, // ADD THIS IMPORT
+  documentId,
+  orderBy,
+  limit,
+  runTransaction,
+  collectionGroup,
+  deleteField
 } from "https://www.gstatic.com/firebasejs/10.11.1/firebase-firestore.js";
 // For Firebase JS SDK v7.20.0 and later, measurementId is optional
 const firebaseConfig = {
@@ -64,5 +70,11 @@ export {
   updateDoc,
   arrayUnion,
   arrayRemove,
-  increment // ADD THIS EXPORT
+  increment, // ADD THIS EXPORT
+  documentId,
+  orderBy,
+  limit,
+  runTransaction,
+  collectionGroup,
+  deleteField
 };
\ No newline at end of file
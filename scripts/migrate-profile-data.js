@@ -0,0 +1,79 @@
+// scripts/migrate-profile-data.js - one-off removal of the emails and names older versions copied
+// into shared docs: userEmail/userName on every sharedVideos/{id}/favorites/{uid} record (including
+// ones left behind by removed favorites) and ownerEmail on copiedPlaylists.
+//
+// Runs with admin credentials, so it reaches every account's records - the sign-in migration in
+// playlist.js can only rewrite the signed-in user's own and stays as a safety net.
+//
+//   GOOGLE_APPLICATION_CREDENTIALS=service-account.json node scripts/migrate-profile-data.js --project <id> [--dry-run]
+//
+// Safe to re-run: documents without the fields are left alone.
+import { initializeApp, applicationDefault } from 'firebase-admin/app';
+import { getFirestore, FieldValue, FieldPath } from 'firebase-admin/firestore';
+
+const PAGE_SIZE = 500;
+const BATCH_SIZE = 400; // Under Firestore's 500 writes per batch
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const projectIndex = args.indexOf('--project');
+const projectId = projectIndex >= 0 ? args[projectIndex + 1] : process.env.GOOGLE_CLOUD_PROJECT;
+
+if (!projectId) {
+  console.error('Usage: node scripts/migrate-profile-data.js --project <id> [--dry-run]');
+  process.exit(1);
+}
+
+initializeApp({ credential: applicationDefault(), projectId });
+const db = getFirestore();
+
+// Walks a query page by page in document order, collecting the docs that still carry any of fields
+async function findDocsWithFields(baseQuery, fields) {
+  const found = [];
+  let scanned = 0;
+  let last = null;
+
+  while (true) {
+    let page = baseQuery.orderBy(FieldPath.documentId()).limit(PAGE_SIZE);
+    if (last) page = page.startAfter(last);
+
+    const snapshot = await page.get();
+    if (snapshot.empty) break;
+
+    scanned += snapshot.size;
+    snapshot.docs.forEach(snapshotDoc => {
+      const data = snapshotDoc.data();
+      if (fields.some(field => field in data)) found.push(snapshotDoc.ref);
+    });
+    last = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return { found, scanned };
+}
+
+async function deleteFields(refs, fields) {
+  const update = Object.fromEntries(fields.map(field => [field, FieldValue.delete()]));
+
+  for (let i = 0; i < refs.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    refs.slice(i, i + BATCH_SIZE).forEach(ref => batch.update(ref, update));
+    await batch.commit();
+    console.log(`  ${Math.min(i + BATCH_SIZE, refs.length)}/${refs.length}`);
+  }
+}
+
+async function migrate(label, baseQuery, fields) {
+  const { found, scanned } = await findDocsWithFields(baseQuery, fields);
+  console.log(`${label}: ${found.length} of ${scanned} documents have ${fields.join('/')}`);
+  if (!dryRun && found.length > 0) await deleteFields(found, fields);
+}
+
+try {
+  // The favorites group also takes in users/{uid}/favorites, which never had these fields
+  await migrate('Shared favorites', db.collectionGroup('favorites'), ['userEmail', 'userName']);
+  await migrate('Copied playlists', db.collection('copiedPlaylists'), ['ownerEmail']);
+  console.log(dryRun ? 'Dry run - nothing was changed' : 'Done');
+} catch (error) {
+  console.error('Migration failed:', error);
+  process.exit(1);
+}
@@ -0,0 +1,168 @@
+// scrobbler.js - ListenBrainz-compatible scrobble client
+// No DOM or Firebase in here: the endpoint, fetch and queue storage are passed in, so the
+// submit/retry behaviour can run against a local stub server
+export const SCROBBLE_QUEUE_LIMIT = 500;
+export const SCROBBLE_IMPORT_CHUNK = 100;
+
+// Noise YouTube titles carry that doesn't belong in a track name
+const SCROBBLE_TITLE_NOISE = /\s*[([](?:official\s*)?(?:music\s*|lyric\s*|audio\s*|hd\s*|4k\s*)*(?:video|audio|lyrics?|visualizer|mv|hd|4k)[)\]]\s*/gi;
+
+// "Artist - Title" when the title has it, otherwise the channel stands in for the artist.
+// Takes plain text - unescape stored titles before passing them in
+export function parseScrobbleTrack(video) {
+  const rawTitle = (video?.title || '').replace(SCROBBLE_TITLE_NOISE, ' ').trim();
+  const channel = (video?.channel || '')
+    .replace(/\s*-\s*Topic$/i, '')
+    .replace(/VEVO$/i, '')
+    .trim();
+
+  const match = rawTitle.match(/^(.+?)\s+[-–—]\s+(.+)$/);
+  if (match) {
+    return { artist: match[1].trim(), track: match[2].replace(/^["']|["']$/g, '').trim() };
+  }
+
+  return { artist: channel || 'Unknown Artist', track: rawTitle || 'Unknown Track' };
+}
+
+export function buildScrobbleMetadata(video, duration) {
+  const { artist, track } = parseScrobbleTrack(video);
+  return {
+    artist_name: artist,
+    track_name: track,
+    additional_info: {
+      origin_url: `https://www.youtube.com/watch?v=${video.videoId}`,
+      duration_ms: duration > 0 ? Math.round(duration * 1000) : undefined,
+      media_player: 'Ofplay',
+      submission_client: 'Ofplay'
+    }
+  };
+}
+
+// Network errors (no status), server errors and rate limits are worth another try.
+// Anything else - a malformed listen, a bad token - fails the same way every time
+export function isRetryableScrobbleError(error) {
+  const status = error?.status;
+  return !status || status >= 500 || status === 408 || status === 429;
+}
+
+// getCredentials() -> { url, token }; canSend() gates queue flushes (configured and online);
+// storage is localStorage-shaped; onQueueChange runs whenever the queue is rewritten
+export function createScrobbleClient({
+  getCredentials,
+  storage,
+  queueKey,
+  fetch = globalThis.fetch,
+  canSend = () => true,
+  onQueueChange = () => {}
+}) {
+  let flushing = false;
+
+  const client = {
+    // credentials lets the settings form test values before they're saved
+    async request(path, options = {}, credentials = getCredentials()) {
+      const endpoint = `${credentials.url.replace(/\/+$/, '')}/1/${path}`;
+      const response = await fetch(endpoint, {
+        ...options,
+        headers: {
+          'Authorization': `Token ${credentials.token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (!response.ok) {
+        const error = new Error(`Scrobbler responded with ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+      return response.json().catch(() => ({}));
+    },
+
+    sendNowPlaying(metadata) {
+      return client.request('submit-listens', {
+        method: 'POST',
+        body: JSON.stringify({ listen_type: 'playing_now', payload: [{ track_metadata: metadata }] })
+      });
+    },
+
+    // Resolves to 'sent', 'queued' or 'dropped'
+    async submit(listen) {
+      try {
+        await client.request('submit-listens', {
+          method: 'POST',
+          body: JSON.stringify({ listen_type: 'single', payload: [listen] })
+        });
+      } catch (error) {
+        if (!isRetryableScrobbleError(error)) {
+          console.error('Scrobble rejected:', error);
+          return 'dropped';
+        }
+        console.log('Scrobble queued for retry:', error.message);
+        client.enqueue(listen);
+        return 'queued';
+      }
+
+      await client.flushQueue();
+      return 'sent';
+    },
+
+    readQueue() {
+      try {
+        return JSON.parse(storage.getItem(queueKey) || '[]');
+      } catch (error) {
+        return [];
+      }
+    },
+
+    writeQueue(queue) {
+      try {
+        storage.setItem(queueKey, JSON.stringify(queue.slice(-SCROBBLE_QUEUE_LIMIT)));
+      } catch (error) {
+        console.error('Error saving scrobble queue:', error);
+      }
+      onQueueChange();
+    },
+
+    enqueue(listen) {
+      client.writeQueue([...client.readQueue(), listen]);
+    },
+
+    // Sends queued listens oldest first. Stops at the first retryable failure and leaves
+    // the rest queued; listens the server will never accept are dropped
+    async flushQueue() {
+      if (flushing || !canSend()) return;
+
+      flushing = true;
+      try {
+        let queue = client.readQueue();
+        while (queue.length > 0) {
+          const chunk = queue.slice(0, SCROBBLE_IMPORT_CHUNK);
+          try {
+            await client.request('submit-listens', {
+              method: 'POST',
+              body: JSON.stringify({ listen_type: 'import', payload: chunk })
+            });
+          } catch (error) {
+            if (isRetryableScrobbleError(error)) break;
+            console.error('Dropping rejected scrobbles:', error);
+          }
+
+          // Listens may have been queued while we were waiting
+          queue = client.readQueue().slice(chunk.length);
+          client.writeQueue(queue);
+        }
+      } finally {
+        flushing = false;
+      }
+    },
+
+    async testConnection(credentials) {
+      const result = await client.request('validate-token', { method: 'GET' }, credentials);
+      if (result.valid === false) {
+        throw new Error(result.message || 'Token is not valid');
+      }
+      return result.user_name || '';
+    }
+  };
+
+  return client;
+}
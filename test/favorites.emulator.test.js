@@ -0,0 +1,123 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, getDoc, getDocs, collection, runTransaction, increment } from 'firebase/firestore';
+import { createFavoritesStore } from '../favorites.js';
+
+// Needs the Firestore emulator: `npm run test:emulator` starts one and sets FIRESTORE_EMULATOR_HOST.
+// A plain `npm test` skips these
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
+const skip = emulatorHost ? false : 'FIRESTORE_EMULATOR_HOST is not set';
+
+// The rules the app deploys, so the transactions are also checked against them
+const RULES = readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8');
+
+const VIDEO = {
+  videoId: 'dQw4w9WgXcQ',
+  title: 'Video',
+  thumbnail: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg',
+  channel: 'Channel',
+  description: '',
+  duration: 212
+};
+
+let testEnv;
+
+before(async () => {
+  if (skip) return;
+  const [host, port] = emulatorHost.split(':');
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-ofplay',
+    firestore: { host, port: Number(port), rules: RULES }
+  });
+});
+
+after(async () => {
+  if (testEnv) await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  if (testEnv) await testEnv.clearFirestore();
+});
+
+// Every client gets its own Firestore instance, like separate browsers. The extra attempts let
+// a dozen clients racing on one counter all get through
+function createClient(uid, maxAttempts = 25) {
+  const db = testEnv.authenticatedContext(uid).firestore();
+  return { uid, store: createFavoritesStore({ db, doc, runTransaction, increment, maxAttempts }) };
+}
+
+// Reads the counter and the per-user favorites with rules off, so the check sees everything
+async function readState(uids) {
+  let favoriteCount = 0;
+  const favorited = [];
+  let records = 0;
+
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    const videoDoc = await getDoc(doc(db, 'sharedVideos', VIDEO.videoId));
+    favoriteCount = videoDoc.exists() ? videoDoc.data().favoriteCount : 0;
+
+    for (const uid of uids) {
+      const favDoc = await getDoc(doc(db, 'users', uid, 'favorites', VIDEO.videoId));
+      if (favDoc.exists()) favorited.push(uid);
+    }
+
+    records = (await getDocs(collection(db, 'sharedVideos', VIDEO.videoId, 'favorites'))).size;
+  });
+
+  return { favoriteCount, favorited, records };
+}
+
+test('concurrent adds from several clients count each user once', { skip }, async () => {
+  const uids = ['alice', 'bob', 'carol', 'dave', 'erin'];
+  // Two clients per user, like two open tabs, both adding at once
+  const clients = uids.flatMap(uid => [createClient(uid), createClient(uid)]);
+
+  const results = await Promise.all(clients.map(client => client.store.add(client.uid, VIDEO)));
+
+  assert.equal(results.filter(Boolean).length, uids.length);
+  const state = await readState(uids);
+  assert.equal(state.favoriteCount, uids.length);
+  assert.deepEqual(state.favorited.sort(), [...uids].sort());
+  assert.equal(state.records, uids.length);
+});
+
+test('concurrent removes never take the count below the remaining favorites', { skip }, async () => {
+  const uids = ['alice', 'bob', 'carol', 'dave'];
+  await Promise.all(uids.map(uid => createClient(uid).store.add(uid, VIDEO)));
+
+  // Everyone but dave removes, each from two clients at once
+  const removing = uids.slice(0, 3);
+  const clients = removing.flatMap(uid => [createClient(uid), createClient(uid)]);
+  const results = await Promise.all(clients.map(client => client.store.remove(client.uid, VIDEO.videoId)));
+
+  assert.equal(results.filter(Boolean).length, removing.length);
+  const state = await readState(uids);
+  assert.equal(state.favoriteCount, 1);
+  assert.deepEqual(state.favorited, ['dave']);
+});
+
+test('interleaved add and remove toggles leave the count equal to the favorites that exist', { skip }, async () => {
+  const uids = ['alice', 'bob', 'carol', 'dave', 'erin', 'frank'];
+  const toggles = [];
+
+  // Each user fires a burst of toggles from three clients without waiting for any of them
+  uids.forEach((uid, index) => {
+    const clients = [createClient(uid, 5), createClient(uid, 5), createClient(uid, 5)];
+    const steps = index % 2 === 0 ? ['add', 'remove', 'add', 'add'] : ['add', 'add', 'remove', 'remove'];
+    steps.forEach((step, i) => {
+      const { store } = clients[i % clients.length];
+      toggles.push(step === 'add' ? store.add(uid, VIDEO) : store.remove(uid, VIDEO.videoId));
+    });
+  });
+
+  // With the app's default attempts a transaction may give up under this much contention; the
+  // app shows an error for those. What matters is that the ones that did commit kept the counter exact
+  const settled = await Promise.allSettled(toggles);
+  assert.ok(settled.some(result => result.status === 'fulfilled'));
+
+  const state = await readState(uids);
+  assert.equal(state.favoriteCount, state.favorited.length);
+});
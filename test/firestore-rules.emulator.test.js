@@ -0,0 +1,217 @@
+import { test, before, after, beforeEach } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, collection, query, where, increment, writeBatch, serverTimestamp, Timestamp } from 'firebase/firestore';
+
+// Needs the Firestore emulator: `npm run test:emulator` starts one and sets FIRESTORE_EMULATOR_HOST.
+// A plain `npm test` skips these
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
+const skip = emulatorHost ? false : 'FIRESTORE_EMULATOR_HOST is not set';
+
+const RULES = readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8');
+
+let testEnv;
+
+before(async () => {
+  if (skip) return;
+  const [host, port] = emulatorHost.split(':');
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-ofplay',
+    firestore: { host, port: Number(port), rules: RULES }
+  });
+});
+
+after(async () => {
+  if (testEnv) await testEnv.cleanup();
+});
+
+// One playlist per visibility, plus one from before visibility was stored, each with a video
+beforeEach(async () => {
+  if (!testEnv) return;
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    for (const visibility of ['public', 'unlisted', 'private', null]) {
+      const id = visibility || 'legacy';
+      const data = { ownerId: 'owner', name: id, likes: 0, playCount: 0 };
+      if (visibility) data.visibility = visibility;
+      await setDoc(doc(db, 'copiedPlaylists', id), data);
+      await setDoc(doc(db, 'copiedPlaylists', id, 'videos', 'v1'), { videoId: 'v1', position: 0 });
+    }
+  });
+});
+
+function firestoreFor(uid) {
+  return uid ? testEnv.authenticatedContext(uid).firestore() : testEnv.unauthenticatedContext().firestore();
+}
+
+for (const [id, open] of [['public', true], ['unlisted', true], ['private', false], ['legacy', false]]) {
+  test(`${id} playlists and their videos are ${open ? 'readable by anyone' : 'only readable by the owner'}`, { skip }, async () => {
+    const expectOthers = open ? assertSucceeds : assertFails;
+
+    for (const db of [firestoreFor(null), firestoreFor('stranger')]) {
+      await expectOthers(getDoc(doc(db, 'copiedPlaylists', id)));
+      await expectOthers(getDocs(collection(db, 'copiedPlaylists', id, 'videos')));
+    }
+
+    const ownerDb = firestoreFor('owner');
+    await assertSucceeds(getDoc(doc(ownerDb, 'copiedPlaylists', id)));
+    await assertSucceeds(getDocs(collection(ownerDb, 'copiedPlaylists', id, 'videos')));
+  });
+}
+
+test('queries only list public playlists and the caller\'s own', { skip }, async () => {
+  const playlists = (db) => collection(db, 'copiedPlaylists');
+
+  for (const db of [firestoreFor(null), firestoreFor('stranger')]) {
+    await assertFails(getDocs(query(playlists(db), where('visibility', '==', 'unlisted'))));
+    await assertFails(getDocs(query(playlists(db), where('visibility', '==', 'private'))));
+    await assertFails(getDocs(playlists(db)));
+    await assertSucceeds(getDocs(query(playlists(db), where('visibility', '==', 'public'))));
+  }
+
+  await assertSucceeds(getDocs(query(playlists(firestoreFor('owner')), where('ownerId', '==', 'owner'))));
+  await assertFails(getDocs(query(playlists(firestoreFor('stranger')), where('ownerId', '==', 'owner'))));
+});
+
+test('only the owner edits a playlist and its videos', { skip }, async () => {
+  const strangerDb = firestoreFor('stranger');
+  await assertFails(updateDoc(doc(strangerDb, 'copiedPlaylists', 'public'), { name: 'Mine now' }));
+  await assertFails(setDoc(doc(strangerDb, 'copiedPlaylists', 'public', 'videos', 'v2'), { videoId: 'v2', position: 1 }));
+
+  const ownerDb = firestoreFor('owner');
+  await assertSucceeds(updateDoc(doc(ownerDb, 'copiedPlaylists', 'private'), { name: 'Renamed' }));
+  await assertSucceeds(setDoc(doc(ownerDb, 'copiedPlaylists', 'private', 'videos', 'v2'), { videoId: 'v2', position: 1 }));
+});
+
+// The marker write the app makes alongside the increment
+function countPlay(db, uid, playlistId, { by = 1, lastCountedAt = serverTimestamp() } = {}) {
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'users', uid, 'playlistPlays', playlistId), { playlistId, lastCountedAt });
+  batch.update(doc(db, 'copiedPlaylists', playlistId), { playCount: increment(by) });
+  return batch.commit();
+}
+
+test('a signed-in listener counts one play per window', { skip }, async () => {
+  const db = firestoreFor('listener');
+  await assertSucceeds(countPlay(db, 'listener', 'public'));
+  // Straight away again, still inside the window
+  await assertFails(countPlay(db, 'listener', 'public'));
+});
+
+test('plays can\'t be counted without a fresh marker, by more than one, or by guests', { skip }, async () => {
+  const db = firestoreFor('listener');
+  await assertFails(updateDoc(doc(db, 'copiedPlaylists', 'public'), { playCount: increment(1) }));
+  await assertFails(countPlay(db, 'listener', 'public', { by: 5 }));
+  await assertFails(countPlay(db, 'listener', 'public', { lastCountedAt: Timestamp.fromMillis(0) }));
+  await assertFails(countPlay(db, 'listener', 'private'));
+
+  await assertFails(updateDoc(doc(firestoreFor(null), 'copiedPlaylists', 'public'), { playCount: increment(1) }));
+  await assertFails(updateDoc(doc(firestoreFor('owner'), 'copiedPlaylists', 'public'), { playCount: 1000 }));
+});
+
+test('play markers can\'t be backdated or deleted to reopen the window', { skip }, async () => {
+  const db = firestoreFor('listener');
+  await assertSucceeds(countPlay(db, 'listener', 'public'));
+
+  const markerRef = doc(db, 'users', 'listener', 'playlistPlays', 'public');
+  await assertFails(setDoc(markerRef, { playlistId: 'public', lastCountedAt: Timestamp.fromMillis(0) }));
+  await assertFails(deleteDoc(markerRef));
+});
+
+test('likes only move together with the liker\'s own like doc', { skip }, async () => {
+  const db = firestoreFor('fan');
+  await assertFails(updateDoc(doc(db, 'copiedPlaylists', 'public'), { likes: increment(1) }));
+
+  const like = writeBatch(db);
+  like.set(doc(db, 'users', 'fan', 'likedPlaylists', 'public'), { playlistId: 'public' });
+  like.update(doc(db, 'copiedPlaylists', 'public'), { likes: increment(1) });
+  await assertSucceeds(like.commit());
+
+  const unlike = writeBatch(db);
+  unlike.delete(doc(db, 'users', 'fan', 'likedPlaylists', 'public'));
+  unlike.update(doc(db, 'copiedPlaylists', 'public'), { likes: increment(-1) });
+  await assertSucceeds(unlike.commit());
+});
+
+const CACHED_VIDEO = {
+  videoId: 'v1',
+  title: 'Video',
+  thumbnail: 'https://i.ytimg.com/vi/v1/hqdefault.jpg',
+  channel: 'Channel',
+  description: '',
+  duration: 212,
+  cachedAt: '2026-01-01T00:00:00.000Z'
+};
+
+async function seedSharedVideo(data) {
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    await setDoc(doc(context.firestore(), 'sharedVideos', 'v1'), data);
+  });
+}
+
+test('favoriteCount can\'t be written directly', { skip }, async () => {
+  await seedSharedVideo({ ...CACHED_VIDEO, favoriteCount: 3 });
+  const db = firestoreFor('fan');
+  const videoRef = doc(db, 'sharedVideos', 'v1');
+
+  await assertFails(updateDoc(videoRef, { favoriteCount: 1000, lastFavoritedAt: 'now' }));
+  await assertFails(updateDoc(videoRef, { favoriteCount: increment(1), lastFavoritedAt: 'now' }));
+  await assertFails(updateDoc(videoRef, { favoriteCount: increment(-1), lastFavoritedAt: 'now' }));
+  await assertFails(deleteDoc(videoRef));
+});
+
+test('favoriteCount moves by one with the caller\'s own favorites record', { skip }, async () => {
+  await seedSharedVideo({ ...CACHED_VIDEO, favoriteCount: 3 });
+  const db = firestoreFor('fan');
+  const videoRef = doc(db, 'sharedVideos', 'v1');
+  const recordRef = doc(db, 'sharedVideos', 'v1', 'favorites', 'fan');
+
+  const add = writeBatch(db);
+  add.set(recordRef, { userId: 'fan', favoritedAt: 'now', action: 'added' });
+  add.update(videoRef, { favoriteCount: increment(1), lastFavoritedAt: 'now' });
+  await assertSucceeds(add.commit());
+
+  // Adding again would count the same favorite twice
+  const again = writeBatch(db);
+  again.set(recordRef, { userId: 'fan', favoritedAt: 'now', action: 'added' });
+  again.update(videoRef, { favoriteCount: increment(1), lastFavoritedAt: 'now' });
+  await assertFails(again.commit());
+
+  // Removing without taking the count down
+  await assertFails(setDoc(recordRef, { userId: 'fan', removedAt: 'now', action: 'removed' }));
+
+  const remove = writeBatch(db);
+  remove.set(recordRef, { userId: 'fan', removedAt: 'now', action: 'removed' });
+  remove.update(videoRef, { favoriteCount: increment(-1), lastFavoritedAt: 'now' });
+  await assertSucceeds(remove.commit());
+
+  // Someone else's record can't carry a count change
+  const forged = writeBatch(db);
+  forged.set(doc(db, 'sharedVideos', 'v1', 'favorites', 'someone'), { userId: 'someone', favoritedAt: 'now', action: 'added' });
+  forged.update(videoRef, { favoriteCount: increment(1), lastFavoritedAt: 'now' });
+  await assertFails(forged.commit());
+});
+
+test('cache records are created with known fields and without markup', { skip }, async () => {
+  const db = firestoreFor('copier');
+  await assertSucceeds(setDoc(doc(db, 'sharedVideos', 'v1'), CACHED_VIDEO));
+  await assertFails(setDoc(doc(db, 'sharedVideos', 'v2'), { ...CACHED_VIDEO, videoId: 'v2', title: '<img src=x onerror=alert(1)>' }));
+  await assertFails(setDoc(doc(db, 'sharedVideos', 'v3'), { ...CACHED_VIDEO, videoId: 'v3', favoriteCount: 50 }));
+  await assertFails(setDoc(doc(db, 'sharedVideos', 'v4'), { ...CACHED_VIDEO, videoId: 'v4', extra: true }));
+  await assertFails(setDoc(doc(db, 'sharedVideos', 'v5'), CACHED_VIDEO));
+});
+
+test('cached videos can\'t be overwritten', { skip }, async () => {
+  await seedSharedVideo({ ...CACHED_VIDEO, favoriteCount: 3 });
+  const db = firestoreFor('copier');
+  const videoRef = doc(db, 'sharedVideos', 'v1');
+
+  await assertFails(setDoc(videoRef, { ...CACHED_VIDEO, title: 'Something else' }));
+  await assertFails(updateDoc(videoRef, { title: 'Something else' }));
+
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'sharedVideos', 'v2'), { ...CACHED_VIDEO, videoId: 'v2' });
+  batch.set(videoRef, CACHED_VIDEO);
+  await assertFails(batch.commit());
+});
@@ -0,0 +1,140 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createScrobbleClient, parseScrobbleTrack } from '../scrobbler.js';
+
+// Local ListenBrainz stand-in: answers with whatever status the test queues up next
+// (200 once the queue is empty) and records every request it gets
+let server;
+let url;
+let requests = [];
+let statuses = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({
+        path: req.url,
+        authorization: req.headers.authorization,
+        body: body ? JSON.parse(body) : null
+      });
+      const status = statuses.shift() ?? 200;
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(status === 200 ? { status: 'ok' } : { code: status }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+  statuses = [];
+});
+
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value))
+  };
+}
+
+function createClient(storage = createMemoryStorage()) {
+  return createScrobbleClient({
+    getCredentials: () => ({ url, token: 'test-token' }),
+    storage,
+    queueKey: 'queue'
+  });
+}
+
+function createListen(track) {
+  return { listened_at: 1700000000, track_metadata: { artist_name: 'Artist', track_name: track } };
+}
+
+test('submits a listen with the token', async () => {
+  const client = createClient();
+
+  assert.equal(await client.submit(createListen('One')), 'sent');
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].path, '/1/submit-listens');
+  assert.equal(requests[0].authorization, 'Token test-token');
+  assert.equal(requests[0].body.listen_type, 'single');
+  assert.equal(requests[0].body.payload[0].track_metadata.track_name, 'One');
+  assert.deepEqual(client.readQueue(), []);
+});
+
+test('queues a listen on a 5xx and sends it with the next flush', async () => {
+  const client = createClient();
+  statuses = [503];
+
+  assert.equal(await client.submit(createListen('Two')), 'queued');
+  assert.equal(client.readQueue().length, 1);
+
+  await client.flushQueue();
+  assert.equal(requests.length, 2);
+  assert.equal(requests[1].body.listen_type, 'import');
+  assert.equal(requests[1].body.payload[0].track_metadata.track_name, 'Two');
+  assert.deepEqual(client.readQueue(), []);
+});
+
+test('a successful submit flushes what was queued before', async () => {
+  const client = createClient();
+  statuses = [500];
+  await client.submit(createListen('Queued'));
+
+  assert.equal(await client.submit(createListen('Fresh')), 'sent');
+  assert.deepEqual(requests.map(request => request.body.listen_type), ['single', 'single', 'import']);
+  assert.deepEqual(client.readQueue(), []);
+});
+
+test('a flush that fails again keeps the listen queued', async () => {
+  const client = createClient();
+  statuses = [502, 502];
+  await client.submit(createListen('Three'));
+
+  await client.flushQueue();
+  assert.equal(requests.length, 2);
+  assert.equal(client.readQueue().length, 1);
+});
+
+test('does not retry a listen rejected with a 401', async () => {
+  const client = createClient();
+  statuses = [401];
+
+  assert.equal(await client.submit(createListen('Four')), 'dropped');
+  assert.deepEqual(client.readQueue(), []);
+
+  await client.flushQueue();
+  assert.equal(requests.length, 1);
+});
+
+test('queues a listen when the server cannot be reached', async () => {
+  const client = createScrobbleClient({
+    getCredentials: () => ({ url: 'http://127.0.0.1:1', token: 'test-token' }),
+    storage: createMemoryStorage(),
+    queueKey: 'queue'
+  });
+
+  assert.equal(await client.submit(createListen('Five')), 'queued');
+  assert.equal(client.readQueue().length, 1);
+});
+
+test('parses artist and track out of YouTube titles', () => {
+  assert.deepEqual(
+    parseScrobbleTrack({ title: 'Daft Punk - One More Time (Official Video)', channel: 'Daft Punk' }),
+    { artist: 'Daft Punk', track: 'One More Time' }
+  );
+  assert.deepEqual(
+    parseScrobbleTrack({ title: 'Bohemian Rhapsody', channel: 'Queen - Topic' }),
+    { artist: 'Queen', track: 'Bohemian Rhapsody' }
+  );
+  assert.deepEqual(
+    parseScrobbleTrack({ title: 'Song [HD]', channel: 'ArtistVEVO' }),
+    { artist: 'Artist', track: 'Song' }
+  );
+});